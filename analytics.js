@@ -0,0 +1,224 @@
+// Festival analytics - sell-out times and report counts worked out from the availability history,
+// drawn on plain canvases so there's no chart library to download.
+
+// Charts over time use one point per bucket
+const ANALYTICS_BUCKET_MINUTES = 60;
+// How many beers / reporters the ranked charts show
+const ANALYTICS_TOP_SIZE = 10;
+// Line and bar colours, in the order series are drawn
+const ANALYTICS_COLORS = ['#8B4513', '#28a745', '#17a2b8', '#D2691E', '#6f42c1', '#dc3545', '#ffc107', '#20c997', '#6c757d', '#e83e8c'];
+
+// Columns for the organisers' sell-out times download (see export.js)
+const ANALYTICS_EXPORT_COLUMNS = [
+    { key: 'brewery', label: 'Brewery' },
+    { key: 'beer', label: 'Beer' },
+    { key: 'style', label: 'Style' },
+    { key: 'abv', label: 'ABV' },
+    { key: 'bar', label: 'Bar' },
+    { key: 'on_at', label: 'First Reported On' },
+    { key: 'sold_out_at', label: 'Sold Out' },
+    { key: 'hours_on', label: 'Hours On' }
+];
+
+function getSellOutTimes(history, official) {
+    // When a beer was first reported on, and when it sold out (null if it hasn't)
+    const firstOn = history.find(event => event.is_available);
+    const latest = history[history.length - 1];
+    let soldOutAt = null;
+    
+    if (latest && !latest.is_available) {
+        // The first "off" report since it was last reported on
+        let index = history.length - 1;
+        while (index > 0 && !history[index - 1].is_available) index--;
+        soldOutAt = history[index].reported_at;
+    }
+    
+    // Bar staff know better than the crowd
+    if (official) {
+        soldOutAt = official.status === 'sold-out' ? official.updated_at : null;
+    }
+    
+    return { onAt: firstOn ? firstOn.reported_at : null, soldOutAt };
+}
+
+function getHoursOn(record) {
+    if (!record.onAt || !record.soldOutAt) return null;
+    const hours = (new Date(record.soldOutAt) - new Date(record.onAt)) / 3600000;
+    return hours > 0 ? hours : null;
+}
+
+function getTimeBuckets(start, end, minutes = ANALYTICS_BUCKET_MINUTES) {
+    const step = minutes * 60000;
+    const buckets = [];
+    for (let time = Math.floor(start / step) * step; time < end + step; time += step) {
+        buckets.push(time);
+    }
+    return buckets;
+}
+
+function countSoldOutOverTime(records, buckets) {
+    const soldOut = records
+        .filter(record => record.soldOutAt)
+        .map(record => new Date(record.soldOutAt).getTime());
+    return buckets.map(time => ({ x: time, y: soldOut.filter(at => at <= time).length }));
+}
+
+function percentOnOverTime(records, buckets, groupOf) {
+    // Share of each group's beers that hadn't sold out yet at each point in time
+    const groups = new Map();
+    records.forEach(record => {
+        [].concat(groupOf(record)).forEach(group => {
+            if (!group) return;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(record);
+        });
+    });
+    
+    return [...groups.keys()].sort().map(label => {
+        const members = groups.get(label);
+        return {
+            label: `${label} (${members.length})`,
+            points: buckets.map(time => {
+                const on = members.filter(record => !record.soldOutAt || new Date(record.soldOutAt).getTime() > time).length;
+                return { x: time, y: 100 * on / members.length };
+            })
+        };
+    });
+}
+
+function getFastestSelling(records, limit = ANALYTICS_TOP_SIZE) {
+    return records
+        .map(record => ({ ...record, hoursOn: getHoursOn(record) }))
+        .filter(record => record.hoursOn !== null)
+        .sort((a, b) => a.hoursOn - b.hoursOn)
+        .slice(0, limit);
+}
+
+function countReportsBy(events, limit = ANALYTICS_TOP_SIZE) {
+    const counts = new Map();
+    events.forEach(event => {
+        if (!event.reported_by) return;
+        counts.set(event.reported_by, (counts.get(event.reported_by) || 0) + 1);
+    });
+    
+    return [...counts]
+        .map(([userId, count]) => ({ userId, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+function prepareChartCanvas(canvas, height) {
+    // jsdom and very old browsers have no canvas - the chart's text summary still shows
+    const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return null;
+    
+    // Draw at the screen's pixel density so lines stay sharp on phones
+    const width = canvas.clientWidth || canvas.width;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px sans-serif';
+    
+    return { ctx, width, height };
+}
+
+function fitChartText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+function drawLineChart(canvas, { series, yMax = null, formatX, formatY, height = 260 }) {
+    const area = prepareChartCanvas(canvas, height);
+    if (!area || series.length === 0) return;
+    
+    const { ctx, width } = area;
+    const pad = { top: 12, right: 16, bottom: 28, left: 44 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    
+    const xs = series.flatMap(line => line.points.map(point => point.x));
+    const xMin = Math.min(...xs);
+    const xMax = Math.max(...xs);
+    const top = yMax || Math.max(1, ...series.flatMap(line => line.points.map(point => point.y)));
+    
+    const xPosition = (x) => pad.left + (xMax === xMin ? plotWidth / 2 : (x - xMin) / (xMax - xMin) * plotWidth);
+    const yPosition = (y) => pad.top + plotHeight - (y / top) * plotHeight;
+    
+    // Horizontal grid lines with the y-axis labels
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#eee';
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+        const value = top * i / 4;
+        const y = yPosition(value);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y);
+        ctx.lineTo(width - pad.right, y);
+        ctx.stroke();
+        ctx.fillText(formatY(value), pad.left - 6, y);
+    }
+    
+    // Time labels along the bottom, as many as fit
+    const tickCount = Math.max(1, Math.min(6, Math.floor(plotWidth / 90)));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i <= tickCount; i++) {
+        const x = xMin + (xMax - xMin) * i / tickCount;
+        ctx.fillText(formatX(x), xPosition(x), height - pad.bottom + 8);
+    }
+    
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    series.forEach((line, index) => {
+        ctx.strokeStyle = line.color || ANALYTICS_COLORS[index % ANALYTICS_COLORS.length];
+        ctx.beginPath();
+        line.points.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(xPosition(point.x), yPosition(point.y));
+            } else {
+                ctx.lineTo(xPosition(point.x), yPosition(point.y));
+            }
+        });
+        ctx.stroke();
+    });
+}
+
+function drawBarChart(canvas, { bars, formatValue, color = ANALYTICS_COLORS[0] }) {
+    // Horizontal bars, one row per entry, labels on the left
+    const rowHeight = 26;
+    const area = prepareChartCanvas(canvas, bars.length * rowHeight + 8);
+    if (!area || bars.length === 0) return;
+    
+    const { ctx, width } = area;
+    const labelWidth = Math.min(width * 0.45, Math.max(...bars.map(bar => ctx.measureText(bar.label).width)) + 8);
+    const valueWidth = 60;
+    const barSpace = width - labelWidth - valueWidth;
+    const max = Math.max(...bars.map(bar => bar.value)) || 1;
+    
+    ctx.textBaseline = 'middle';
+    bars.forEach((bar, index) => {
+        const y = index * rowHeight + 4;
+        const middle = y + rowHeight / 2 - 2;
+        
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'right';
+        ctx.fillText(fitChartText(ctx, bar.label, labelWidth - 8), labelWidth - 8, middle);
+        
+        const length = Math.max(2, bar.value / max * barSpace);
+        ctx.fillStyle = color;
+        ctx.fillRect(labelWidth, y + 3, length, rowHeight - 10);
+        
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatValue(bar.value), labelWidth + length + 6, middle);
+    });
+}
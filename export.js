@@ -0,0 +1,57 @@
+// Export helpers - turn rows of beer data into CSV or JSON files for download
+
+// Column order and headers for exports (keys of the rows built by the app's getExportRows)
+const EXPORT_COLUMNS = [
+    { key: 'brewery', label: 'Brewery' },
+    { key: 'beer', label: 'Beer' },
+    { key: 'style', label: 'Style' },
+    { key: 'abv', label: 'ABV' },
+    { key: 'location', label: 'Location' },
+    { key: 'bar', label: 'Bar' },
+    { key: 'availability', label: 'Availability' },
+    { key: 'last_report', label: 'Last Report' },
+    { key: 'reporters', label: 'Reporters' },
+    { key: 'rating_average', label: 'Crowd Rating' },
+    { key: 'rating_count', label: 'Ratings' },
+    { key: 'untappd_rating', label: 'Untappd Rating' },
+    { key: 'untappd_url', label: 'Untappd Link' },
+    { key: 'on_list', label: 'On List' },
+    { key: 'want_to_try', label: 'Want To Try' },
+    { key: 'tried', label: 'Tried' },
+    { key: 'my_rating', label: 'My Rating' },
+    { key: 'my_note', label: 'My Note' }
+];
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Beer names and notes come from other people - a leading =, +, -, @, tab or CR would make a
+    // spreadsheet run them as a formula, so they're forced to text. Numbers are left alone.
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    // Quote anything that would break the row, doubling embedded quotes (RFC 4180)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows, columns = EXPORT_COLUMNS) {
+    const lines = [columns.map(column => formatCsvValue(column.label)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCsvValue(row[column.key])).join(','));
+    });
+    // CRLF line endings so Excel is happy
+    return lines.join('\r\n') + '\r\n';
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
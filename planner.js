@@ -0,0 +1,68 @@
+// Session planner - picks beers that fit a number of drinks and an alcohol units budget,
+// then orders them bar by bar so you aren't walking back and forth across the site.
+
+// UK serving sizes in millilitres
+const SERVING_SIZES = {
+    third: { label: 'Third', ml: 189 },
+    half: { label: 'Half', ml: 284 },
+    pint: { label: 'Pint', ml: 568 }
+};
+
+function calculateUnits(abv, ml) {
+    // UK alcohol units: millilitres x ABV% / 1000
+    return (ml * abv) / 1000;
+}
+
+function buildSessionPlan(candidates, options) {
+    // candidates: [{ key, bar, abv, score }] - a higher score means you'd rather drink it
+    // options: { drinks, maxUnits, ml }
+    const pool = candidates
+        .filter(candidate => candidate.abv > 0)
+        .map(candidate => ({ ...candidate, units: calculateUnits(candidate.abv, options.ml) }))
+        .sort((a, b) => b.score - a.score || a.units - b.units);
+    
+    // How many drinks the budget can stretch to, even picking the weakest beers
+    const weakest = pool.map(candidate => candidate.units).sort((a, b) => a - b);
+    let drinks = 0;
+    let weakestTotal = 0;
+    while (drinks < options.drinks && drinks < weakest.length && weakestTotal + weakest[drinks] <= options.maxUnits) {
+        weakestTotal += weakest[drinks];
+        drinks++;
+    }
+    
+    // Take the best beers first, as long as the weakest remaining beers can still fill the other slots
+    const picked = [];
+    let units = 0;
+    for (let candidate of pool) {
+        if (picked.length >= drinks) break;
+        
+        const slotsAfter = drinks - picked.length - 1;
+        const reserve = pool
+            .filter(other => other !== candidate && !picked.includes(other))
+            .map(other => other.units)
+            .sort((a, b) => a - b)
+            .slice(0, slotsAfter)
+            .reduce((sum, value) => sum + value, 0);
+        
+        if (units + candidate.units + reserve <= options.maxUnits) {
+            picked.push(candidate);
+            units += candidate.units;
+        }
+    }
+    
+    // One stop per bar, starting with the bar that has the weakest beer; weakest first within each bar
+    const byBar = new Map();
+    picked.forEach(item => {
+        if (!byBar.has(item.bar)) byBar.set(item.bar, []);
+        byBar.get(item.bar).push(item);
+    });
+    
+    const stops = [...byBar.entries()]
+        .map(([bar, items]) => ({ bar, items: items.sort((a, b) => a.abv - b.abv) }))
+        .sort((a, b) => a.items[0].abv - b.items[0].abv);
+    
+    // Why the plan came up short, if it did - too few beers to choose from, or too few units to drink them
+    const limitedBy = drinks >= options.drinks ? null : (drinks === pool.length ? 'beers' : 'units');
+    
+    return { stops, units, limitedBy };
+}
@@ -0,0 +1,241 @@
+// Search query parsing and typo-tolerant matching
+// Query syntax: free text, "quoted phrases", -excluded, and key:value filters, e.g.
+//   abv:>5 style:stout bar:"Main Bar" -sour available:yes local:25
+
+// Keys accepted in key:value filters, mapped to the beer field they filter
+const SEARCH_FIELD_KEYS = {
+    brewery: 'brewery',
+    brewer: 'brewery',
+    beer: 'beer',
+    name: 'beer',
+    style: 'style',
+    bar: 'bar',
+    location: 'location',
+    brewed: 'location',
+    from: 'location'
+};
+
+// available:<value> options, mapped to availability filter values
+const SEARCH_AVAILABILITY_VALUES = {
+    yes: 'likely-on',
+    on: 'likely-on',
+    true: 'likely-on',
+    no: 'probably-gone',
+    off: 'probably-gone',
+    gone: 'probably-gone',
+    false: 'probably-gone',
+    disputed: 'disputed',
+    soon: 'not-yet',
+    settling: 'not-yet',
+    unknown: 'unknown',
+    none: 'unknown'
+};
+
+// list:<value> options, mapped to tasting list filter values
+const SEARCH_LIST_VALUES = {
+    'to-try': 'to-try',
+    totry: 'to-try',
+    want: 'to-try',
+    tried: 'tried',
+    drunk: 'tried',
+    watching: 'watching',
+    watched: 'watching',
+    watch: 'watching'
+};
+
+function tokenizeSearchQuery(query) {
+    // Split on spaces, keeping "quoted phrases" (and key:"quoted values") together
+    const tokens = [];
+    const pattern = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        const value = match[3] !== undefined ? match[3] : match[4];
+        tokens.push({
+            negate: match[1] === '-',
+            key: match[2] ? match[2].toLowerCase() : null,
+            value: (value || '').trim()
+        });
+    }
+    
+    return tokens.filter(token => token.value);
+}
+
+function parseNumberRange(value) {
+    // ">5", ">=5", "<4.5", "<=4.5", "4-6" or "5"
+    const comparison = value.match(/^(>=?|<=?)\s*(\d+(?:\.\d+)?)$/);
+    if (comparison) {
+        const number = parseFloat(comparison[2]);
+        return comparison[1].startsWith('>') ? { min: number, max: null } : { min: null, max: number };
+    }
+    
+    const range = value.match(/^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/);
+    if (range) {
+        return { min: parseFloat(range[1]), max: parseFloat(range[2]) };
+    }
+    
+    const exact = value.match(/^(\d+(?:\.\d+)?)$/);
+    if (exact) {
+        return { min: parseFloat(exact[1]), max: parseFloat(exact[1]) };
+    }
+    
+    return null;
+}
+
+// Keys for filters with a single setting (as opposed to the text filters in SEARCH_FIELD_KEYS)
+const SEARCH_FILTER_KEYS = ['abv', 'rating', 'available', 'avail', 'local', 'within', 'list'];
+
+function parseSearchQuery(query) {
+    const criteria = {
+        terms: [],        // Free text - every term must (fuzzily) match
+        excludes: [],     // -term - no field may contain it
+        fields: [],       // { field, value, negate } from key:value filters
+        invalid: [],      // Filters that can't be applied (e.g. -abv:>5, rating:<3) - ignored
+        abvMin: null,
+        abvMax: null,
+        ratingMin: null,
+        availability: null,
+        tasting: null,
+        localMiles: null
+    };
+    
+    tokenizeSearchQuery(query || '').forEach(token => {
+        const value = token.value.toLowerCase();
+        
+        if (!token.key) {
+            if (token.negate) {
+                criteria.excludes.push(value);
+            } else {
+                criteria.terms.push(value);
+            }
+            return;
+        }
+        
+        if (SEARCH_FIELD_KEYS[token.key]) {
+            criteria.fields.push({ field: SEARCH_FIELD_KEYS[token.key], value: value, negate: token.negate });
+            return;
+        }
+        
+        // Unknown key - treat the whole token as text
+        if (!SEARCH_FILTER_KEYS.includes(token.key)) {
+            (token.negate ? criteria.excludes : criteria.terms).push(`${token.key}:${value}`);
+            return;
+        }
+        
+        // These can't be negated - "-abv:>5" would silently mean "abv:>5" otherwise
+        if (token.negate || !applySearchFilter(criteria, token.key, value)) {
+            criteria.invalid.push(`${token.negate ? '-' : ''}${token.key}:${value}`);
+        }
+    });
+    
+    return criteria;
+}
+
+function applySearchFilter(criteria, key, value) {
+    // Returns false if the value doesn't make sense for the key
+    if (key === 'abv') {
+        const range = parseNumberRange(value);
+        if (!range) return false;
+        
+        if (range.min !== null) criteria.abvMin = range.min;
+        if (range.max !== null) criteria.abvMax = range.max;
+        return true;
+    }
+    
+    if (key === 'rating') {
+        // Only a minimum - rating:<3 isn't supported
+        const range = parseNumberRange(value);
+        if (!range || range.min === null) return false;
+        
+        criteria.ratingMin = range.min;
+        return true;
+    }
+    
+    if (key === 'available' || key === 'avail') {
+        if (!SEARCH_AVAILABILITY_VALUES[value]) return false;
+        
+        criteria.availability = SEARCH_AVAILABILITY_VALUES[value];
+        return true;
+    }
+    
+    if (key === 'local' || key === 'within') {
+        // local:25 - breweries within 25 miles of the festival
+        const miles = value.match(/^(\d+(?:\.\d+)?)\s*(mi|miles)?$/);
+        if (!miles) return false;
+        
+        criteria.localMiles = parseFloat(miles[1]);
+        return true;
+    }
+    
+    // list:
+    if (!SEARCH_LIST_VALUES[value]) return false;
+    
+    criteria.tasting = SEARCH_LIST_VALUES[value];
+    return true;
+}
+
+function editDistance(a, b) {
+    // Damerau-Levenshtein (optimal string alignment) so swapped letters count as one typo
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = [];
+    
+    for (let i = 0; i < rows; i++) {
+        d[i] = [i];
+    }
+    for (let j = 1; j < cols; j++) {
+        d[0][j] = j;
+    }
+    
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    
+    return d[a.length][b.length];
+}
+
+function allowedTypos(term) {
+    // Short terms must be exact, longer ones can have more mistakes
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+}
+
+function fuzzyScore(term, text) {
+    // 1 = exact/prefix match, lower = typo match, 0 = no match
+    const haystack = text.toLowerCase();
+    if (!term) return 1;
+    
+    const index = haystack.indexOf(term);
+    if (index !== -1) {
+        // Prefer matches at the start of a word
+        const atWordStart = index === 0 || /\W/.test(haystack[index - 1]);
+        return atWordStart ? 1 : 0.9;
+    }
+    
+    const maxTypos = allowedTypos(term);
+    if (maxTypos === 0) return 0;
+    
+    let best = 0;
+    haystack.split(/[^a-z0-9']+/).forEach(word => {
+        if (!word) return;
+        
+        // Compare against the whole word and against a same-length prefix (for partly typed words)
+        const candidates = [word, word.slice(0, term.length)];
+        candidates.forEach(candidate => {
+            const distance = editDistance(term, candidate);
+            if (distance <= maxTypos) {
+                best = Math.max(best, 0.8 - (distance / (term.length + 1)) * 0.5);
+            }
+        });
+    });
+    
+    return best;
+}
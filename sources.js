@@ -0,0 +1,302 @@
+// Beer list source adapters
+// Every adapter produces the same beer records: { brewery, beer, style, abv, location, bar }
+
+// Default column positions for the Chappel beer list table
+const DEFAULT_COLUMN_MAP = { brewery: 0, beer: 1, style: 2, abv: 3, location: 4, bar: 5 };
+
+// Header names we recognise in CSV/JSON sources (all compared in lowercase)
+const FIELD_ALIASES = {
+    brewery: ['brewery', 'brewer', 'producer'],
+    beer: ['beer', 'name', 'beer name', 'beer_name'],
+    style: ['style', 'type', 'beer style'],
+    abv: ['abv', 'strength', 'abv%', 'abv %'],
+    location: ['location', 'brewed', 'town', 'brewery location'],
+    bar: ['bar', 'stillage', 'servery']
+};
+
+function parseABV(abvText) {
+    if (typeof abvText === 'number') return abvText;
+    
+    // Extract numeric value from ABV text (e.g. "4.5%" -> 4.5, "ABV 4,2" -> 4.2)
+    const match = String(abvText || '').replace(',', '.').match(/(\d+\.?\d*)/);
+    return match ? parseFloat(match[1]) : 0;
+}
+
+function createBeerRecord(fields) {
+    const text = (value) => (value === undefined || value === null) ? '' : String(value).trim();
+    
+    return {
+        brewery: text(fields.brewery),
+        beer: text(fields.beer),
+        style: text(fields.style),
+        abv: parseABV(fields.abv),
+        location: text(fields.location),
+        bar: text(fields.bar)
+    };
+}
+
+function isValidBeerRecord(record) {
+    // Only keep rows with actual beer data, not repeated headers
+    return record.brewery && record.beer && record.brewery.toLowerCase() !== 'brewery';
+}
+
+function findFieldForHeader(header) {
+    const name = header.trim().toLowerCase();
+    return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(name)) || null;
+}
+
+async function fetchText(url, proxy, cacheBust) {
+    // Add cache-busting parameter to ensure fresh data
+    let targetUrl = url;
+    if (cacheBust) {
+        targetUrl += (url.includes('?') ? '&' : '?') + 't=' + Date.now();
+    }
+    
+    // The allorigins proxy wraps the page in JSON to bypass same-origin policy
+    const fullUrl = proxy ? proxy + encodeURIComponent(targetUrl) : targetUrl;
+    const response = await fetch(fullUrl);
+    
+    if (!response.ok) {
+        throw new Error(`Failed to fetch beer data (${response.status})`);
+    }
+    
+    if (proxy) {
+        const data = await response.json();
+        return data.contents;
+    }
+    return response.text();
+}
+
+class HtmlTableSource {
+    constructor(config = {}) {
+        this.url = config.url;
+        this.proxy = config.proxy || null;
+        this.cacheBust = config.cacheBust !== false;
+        // Column positions (numbers) or header labels (strings) for each field
+        this.columns = { ...DEFAULT_COLUMN_MAP, ...config.columns };
+    }
+    
+    async load() {
+        const html = await fetchText(this.url, this.proxy, this.cacheBust);
+        return this.parse(html);
+    }
+    
+    parse(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const rows = doc.querySelectorAll('table tr');
+        const columns = this.resolveColumns(rows);
+        // Rows too short to reach every column are headings (e.g. a bar name spanning the table)
+        const minCells = Math.max(...Object.values(columns)) + 1;
+        const beers = [];
+        
+        for (let row of rows) {
+            // Header rows use <th>, data rows use <td>
+            const cells = row.querySelectorAll('td');
+            if (cells.length < minCells) continue;
+            
+            const fields = {};
+            Object.keys(columns).forEach(field => {
+                const cell = cells[columns[field]];
+                fields[field] = cell ? cell.textContent : '';
+            });
+            
+            const record = createBeerRecord(fields);
+            if (isValidBeerRecord(record)) {
+                beers.push(record);
+            }
+        }
+        
+        return beers;
+    }
+    
+    resolveColumns(rows) {
+        const needsHeader = Object.values(this.columns).some(column => typeof column === 'string');
+        if (!needsHeader) return this.columns;
+        
+        const columns = this.findHeaderColumns(rows);
+        // Other columns can be missing (their fields are left blank), but not these
+        if (columns.brewery === -1 || columns.beer === -1) {
+            throw new Error('Beer list must have brewery and beer columns');
+        }
+        return columns;
+    }
+    
+    findHeaderColumns(rows) {        
+        // Find the first row whose cells contain one of the configured header labels
+        const labels = Object.values(this.columns)
+            .filter(column => typeof column === 'string')
+            .map(label => label.toLowerCase());
+        
+        for (let row of rows) {
+            const headers = [...row.querySelectorAll('th, td')].map(cell => cell.textContent.trim().toLowerCase());
+            if (!headers.some(header => labels.includes(header))) continue;
+            
+            const resolved = {};
+            Object.keys(this.columns).forEach(field => {
+                const column = this.columns[field];
+                resolved[field] = typeof column === 'string' ? headers.indexOf(column.toLowerCase()) : column;
+            });
+            return resolved;
+        }
+        
+        throw new Error('Could not find the header row in the beer list');
+    }
+}
+
+class JsonSource {
+    constructor(config = {}) {
+        this.url = config.url;
+        this.proxy = config.proxy || null;
+        this.cacheBust = config.cacheBust !== false;
+        // Optional property names for each field, otherwise FIELD_ALIASES are used
+        this.fields = config.fields || {};
+    }
+    
+    async load() {
+        const text = await fetchText(this.url, this.proxy, this.cacheBust);
+        return this.parse(text);
+    }
+    
+    parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        // Accept either a bare array or { beers: [...] }
+        const items = Array.isArray(data) ? data : (data && data.beers) || [];
+        
+        return items
+            .map(item => createBeerRecord(this.mapItem(item)))
+            .filter(isValidBeerRecord);
+    }
+    
+    mapItem(item) {
+        const fields = {};
+        Object.keys(item).forEach(property => {
+            const field = findFieldForHeader(property);
+            if (field) fields[field] = item[property];
+        });
+        
+        // Explicit mappings win over guessed ones
+        Object.keys(this.fields).forEach(field => {
+            fields[field] = item[this.fields[field]];
+        });
+        return fields;
+    }
+}
+
+class CsvSource {
+    constructor(config = {}) {
+        this.url = config.url;
+        this.proxy = config.proxy || null;
+        this.cacheBust = config.cacheBust !== false;
+        // Optional header names or column positions, otherwise FIELD_ALIASES are used
+        this.columns = config.columns || null;
+    }
+    
+    async load() {
+        const text = await fetchText(this.url, this.proxy, this.cacheBust);
+        return this.parse(text);
+    }
+    
+    parse(text) {
+        const rows = CsvSource.parseRows(text).filter(row => row.some(cell => cell.trim()));
+        if (rows.length === 0) return [];
+        
+        const headers = rows[0].map(header => header.trim().toLowerCase());
+        const columns = {};
+        
+        if (this.columns) {
+            Object.keys(this.columns).forEach(field => {
+                const column = this.columns[field];
+                columns[field] = typeof column === 'string' ? headers.indexOf(column.toLowerCase()) : column;
+            });
+        } else {
+            headers.forEach((header, index) => {
+                const field = findFieldForHeader(header);
+                if (field && columns[field] === undefined) columns[field] = index;
+            });
+        }
+        
+        if (columns.brewery === undefined || columns.beer === undefined) {
+            throw new Error('CSV must have brewery and beer columns');
+        }
+        
+        return rows.slice(1)
+            .map(row => {
+                const fields = {};
+                Object.keys(columns).forEach(field => {
+                    fields[field] = row[columns[field]];
+                });
+                return createBeerRecord(fields);
+            })
+            .filter(isValidBeerRecord);
+    }
+    
+    static parseRows(text) {
+        // Minimal RFC 4180 parser: quoted fields, escaped quotes and newlines inside quotes
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+}
+
+class FileSource {
+    constructor(file, config = {}) {
+        this.file = file;
+        this.config = config;
+    }
+    
+    async load() {
+        const text = await this.file.text();
+        const name = this.file.name.toLowerCase();
+        
+        // Pick a parser from the file extension - CSV and JSON find their columns by header name
+        if (name.endsWith('.json')) return new JsonSource().parse(text);
+        if (name.endsWith('.csv')) return new CsvSource().parse(text);
+        if (name.endsWith('.html') || name.endsWith('.htm')) return new HtmlTableSource(this.config).parse(text);
+        
+        throw new Error(`Unsupported file type: ${this.file.name}`);
+    }
+}
+
+function createBeerSource(config) {
+    switch (config.type) {
+        case 'html': return new HtmlTableSource(config);
+        case 'json': return new JsonSource(config);
+        case 'csv': return new CsvSource(config);
+        default: throw new Error(`Unknown beer list source type: ${config.type}`);
+    }
+}
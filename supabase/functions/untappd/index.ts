@@ -0,0 +1,90 @@
+// Untappd API proxy for the app's Untappd matching (UntappdApiSource in untappd.js).
+// The API key stays here instead of in the public app config. Set it with:
+//   supabase secrets set UNTAPPD_CLIENT_ID=... UNTAPPD_CLIENT_SECRET=...
+//   supabase functions deploy untappd
+// Called as /functions/v1/untappd?path=search/beer&q=... with the anon key, like the rest of the app.
+
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+
+const API_URL = 'https://api.untappd.com/v4';
+
+// Only the two lookups the app makes, and only the parameters they use
+const ALLOWED_PATHS = [/^search\/beer$/, /^beer\/info\/\d+$/];
+const ALLOWED_PARAMS = ['q', 'limit', 'compact'];
+
+// The key allows 100 calls an hour, shared by everyone using the app. Answers are kept in
+// untappd_api_cache (009_untappd_corrections.sql), so each beer is looked up once for everyone
+// rather than once per phone, and anything over the limit is turned away before it reaches Untappd.
+// Searches are kept longer than beer info, which carries the ratings.
+const CACHE_MS = { search: 7 * 24 * 60 * 60 * 1000, info: 24 * 60 * 60 * 1000 };
+const HOURLY_LIMIT = 90;
+let recentCalls: number[] = [];
+
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set for every Edge Function
+const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Expose-Headers': 'x-untappd-cache'
+};
+
+// x-untappd-cache tells the app whether the answer used any of the hourly limit
+function reply(status: number, body: string, cache = 'miss') {
+    return new Response(body, { status, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', 'x-untappd-cache': cache } });
+}
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') return new Response('ok', { headers: CORS_HEADERS });
+    if (request.method !== 'GET') return reply(405, JSON.stringify({ error: 'Only GET is supported' }));
+    
+    const url = new URL(request.url);
+    const path = url.searchParams.get('path') || '';
+    if (!ALLOWED_PATHS.some(pattern => pattern.test(path))) {
+        return reply(400, JSON.stringify({ error: 'Unsupported Untappd path' }));
+    }
+    
+    const params = new URLSearchParams();
+    ALLOWED_PARAMS.forEach(name => {
+        const value = url.searchParams.get(name);
+        if (value !== null) params.set(name, value);
+    });
+    
+    const cacheKey = `${path}?${params}`;
+    const cacheMs = path.startsWith('search/') ? CACHE_MS.search : CACHE_MS.info;
+    const { data: cached, error: cacheError } = await supabase
+        .from('untappd_api_cache')
+        .select('status, body, fetched_at')
+        .eq('cache_key', cacheKey)
+        .maybeSingle();
+    if (cacheError) console.error('Could not read the Untappd cache:', cacheError);
+    if (cached && Date.now() - new Date(cached.fetched_at).getTime() < cacheMs) {
+        return reply(cached.status, cached.body, 'hit');
+    }
+    
+    recentCalls = recentCalls.filter(at => Date.now() - at < 60 * 60 * 1000);
+    if (recentCalls.length >= HOURLY_LIMIT) {
+        return reply(429, JSON.stringify({ error: 'Untappd lookups are busy - try again later' }));
+    }
+    recentCalls.push(Date.now());
+    
+    params.set('client_id', Deno.env.get('UNTAPPD_CLIENT_ID') ?? '');
+    params.set('client_secret', Deno.env.get('UNTAPPD_CLIENT_SECRET') ?? '');
+    
+    try {
+        const response = await fetch(`${API_URL}/${path}?${params}`);
+        const body = await response.text();
+        // Found-nothing answers are worth caching too - only errors are retried
+        if (response.ok) {
+            const { error } = await supabase
+                .from('untappd_api_cache')
+                .upsert({ cache_key: cacheKey, status: response.status, body, fetched_at: new Date().toISOString() });
+            if (error) console.error('Could not save to the Untappd cache:', error);
+        }
+        return reply(response.status, body);
+    } catch (error) {
+        console.error('Untappd request failed:', error);
+        return reply(502, JSON.stringify({ error: 'Could not reach Untappd' }));
+    }
+});
@@ -0,0 +1,2 @@
+-- Broadcast beer_availability inserts/updates to clients subscribed via Supabase Realtime
+alter publication supabase_realtime add table public.beer_availability;
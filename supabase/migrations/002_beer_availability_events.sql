@@ -0,0 +1,30 @@
+-- Every availability report is stored as an event; current status is derived from the latest one
+create table if not exists public.beer_availability_events (
+    id bigint generated by default as identity primary key,
+    brewery text not null,
+    beer_name text not null,
+    is_available boolean not null,
+    bar text,
+    reported_by text,
+    reported_at timestamptz not null default now()
+);
+
+create index if not exists beer_availability_events_beer_idx
+    on public.beer_availability_events (brewery, beer_name, reported_at);
+
+alter table public.beer_availability_events enable row level security;
+
+create policy "Anyone can read availability reports"
+    on public.beer_availability_events for select
+    using (true);
+
+create policy "Anyone can add availability reports"
+    on public.beer_availability_events for insert
+    with check (true);
+
+-- Carry over the last known status from the old single-row table
+insert into public.beer_availability_events (brewery, beer_name, is_available, reported_by, reported_at)
+select brewery, beer_name, is_available, updated_by, coalesce(updated_at, now())
+from public.beer_availability;
+
+alter publication supabase_realtime add table public.beer_availability_events;
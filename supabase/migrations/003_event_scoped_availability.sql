@@ -0,0 +1,11 @@
+-- Scope availability reports to a festival so summer and winter reports don't collide
+alter table public.beer_availability_events
+    add column if not exists event_id text not null default 'chappel-summer';
+
+-- Existing rows got the default above; new reports must say which event they belong to
+alter table public.beer_availability_events
+    alter column event_id drop default;
+
+drop index if exists beer_availability_events_beer_idx;
+create index beer_availability_events_beer_idx
+    on public.beer_availability_events (event_id, brewery, beer_name, reported_at);
@@ -0,0 +1,28 @@
+-- Personal tasting lists, synced under the same random user ID the app uses for reports
+create table if not exists public.tasting_notes (
+    user_id text not null,
+    event_id text not null,
+    brewery text not null,
+    beer_name text not null,
+    want_to_try boolean not null default false,
+    tried boolean not null default false,
+    rating smallint check (rating between 1 and 5),
+    note text,
+    updated_at timestamptz not null default now(),
+    primary key (user_id, event_id, brewery, beer_name)
+);
+
+alter table public.tasting_notes enable row level security;
+
+-- Lists are shared by ID so a team can compare notes after the session
+create policy "Anyone can read tasting notes"
+    on public.tasting_notes for select
+    using (true);
+
+create policy "Anyone can add tasting notes"
+    on public.tasting_notes for insert
+    with check (true);
+
+create policy "Anyone can update tasting notes"
+    on public.tasting_notes for update
+    using (true);
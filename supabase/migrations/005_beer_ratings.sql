@@ -0,0 +1,24 @@
+-- Crowd ratings: one 1-5 rating per user per beer per event
+create table if not exists public.beer_ratings (
+    event_id text not null,
+    brewery text not null,
+    beer_name text not null,
+    user_id text not null,
+    rating smallint not null check (rating between 1 and 5),
+    updated_at timestamptz not null default now(),
+    primary key (event_id, brewery, beer_name, user_id)
+);
+
+alter table public.beer_ratings enable row level security;
+
+create policy "Anyone can read ratings"
+    on public.beer_ratings for select
+    using (true);
+
+create policy "Anyone can add ratings"
+    on public.beer_ratings for insert
+    with check (true);
+
+create policy "Anyone can update ratings"
+    on public.beer_ratings for update
+    using (true);
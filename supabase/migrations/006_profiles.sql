@@ -0,0 +1,86 @@
+-- Optional accounts (Supabase Auth - anonymous or email magic link) with display names.
+-- Each account claims the random User_xxxxxx ID the app already used, so reports, ratings and
+-- tasting notes made before signing in stay attributed to the same person.
+create table if not exists public.profiles (
+    auth_user_id uuid primary key references auth.users (id) on delete cascade,
+    legacy_user_id text not null unique,
+    display_name text check (char_length(display_name) between 1 and 30),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+alter table public.profiles enable row level security;
+
+-- Display names are shown next to reports, so everyone can read them
+create policy "Anyone can read profiles"
+    on public.profiles for select
+    using (true);
+
+-- Record which account (if any) made each report - filled in from the request's JWT
+alter table public.beer_availability_events
+    add column if not exists auth_user_id uuid default auth.uid();
+
+-- The User_xxxxxx IDs are shown next to every report, so knowing one proves nothing. Each app
+-- keeps a random owner key and sends it with its reports (in owner_key, never stored): the first
+-- report under an ID keeps the key's hash here, and only that key can claim the ID later.
+create table if not exists public.legacy_user_keys (
+    legacy_user_id text primary key,
+    key_hash text not null,
+    created_at timestamptz not null default now()
+);
+
+alter table public.legacy_user_keys enable row level security;
+
+alter table public.beer_availability_events
+    add column if not exists owner_key text;
+
+-- Profiles are only made here. An ID with an owner key needs that key. An ID without one (used
+-- before keys, or never reported under) can be claimed only if none of its reports came from
+-- another account or from no account at all - and then the key given becomes its owner key.
+-- (The unique constraint on legacy_user_id stops a second claim after the first.)
+create or replace function public.claim_legacy_user_id(p_legacy_user_id text, p_owner_key text)
+returns public.profiles
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    v_key_hash text;
+    v_profile public.profiles;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in first' using errcode = 'BT401';
+    end if;
+
+    select key_hash into v_key_hash from public.legacy_user_keys where legacy_user_id = p_legacy_user_id;
+
+    if v_key_hash is not null then
+        if p_owner_key is null or encode(digest(p_owner_key, 'sha256'), 'hex') <> v_key_hash then
+            raise exception 'This ID belongs to another device' using errcode = 'BT403';
+        end if;
+    elsif exists (select 1 from public.beer_availability_events
+        where reported_by = p_legacy_user_id and auth_user_id is distinct from auth.uid()) then
+        raise exception 'This ID belongs to another device' using errcode = 'BT403';
+    elsif p_owner_key is not null then
+        insert into public.legacy_user_keys (legacy_user_id, key_hash)
+        values (p_legacy_user_id, encode(digest(p_owner_key, 'sha256'), 'hex'));
+    end if;
+
+    insert into public.profiles (auth_user_id, legacy_user_id)
+    values (auth.uid(), p_legacy_user_id)
+    returning * into v_profile;
+
+    return v_profile;
+end;
+$$;
+
+grant execute on function public.claim_legacy_user_id(text, text) to authenticated;
+
+create policy "Users can update their own profile"
+    on public.profiles for update
+    using (auth.uid() = auth_user_id)
+    with check (auth.uid() = auth_user_id);
+
+-- Once claimed, an ID stays with its account - only the display name can be changed
+revoke update on public.profiles from anon, authenticated;
+grant update (display_name, updated_at) on public.profiles to authenticated;
@@ -0,0 +1,207 @@
+-- Abuse protection and moderation for availability reports.
+-- Rate limits here are kept in step with REPORT_RATE_* in script.js, which checks them before sending.
+
+-- Moderators are accounts (see 006_profiles.sql) added by hand in the dashboard
+create table if not exists public.moderators (
+    auth_user_id uuid primary key references auth.users (id) on delete cascade,
+    added_at timestamptz not null default now()
+);
+
+create or replace function public.is_moderator()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from public.moderators where auth_user_id = auth.uid());
+$$;
+
+alter table public.moderators enable row level security;
+
+create policy "Moderators can see who the moderators are"
+    on public.moderators for select
+    using (auth.uid() = auth_user_id or public.is_moderator());
+
+-- Blocked user IDs (the User_xxxxxx IDs reports are made under)
+create table if not exists public.blocked_users (
+    user_id text primary key,
+    reason text,
+    blocked_by uuid references auth.users (id),
+    blocked_at timestamptz not null default now()
+);
+
+alter table public.blocked_users enable row level security;
+
+create policy "Moderators can see blocked users"
+    on public.blocked_users for select
+    using (public.is_moderator());
+
+create policy "Moderators can block users"
+    on public.blocked_users for insert
+    with check (public.is_moderator());
+
+create policy "Moderators can unblock users"
+    on public.blocked_users for delete
+    using (public.is_moderator());
+
+-- Reverted reports stay in the table for the record but no longer count
+alter table public.beer_availability_events
+    add column if not exists reverted boolean not null default false,
+    add column if not exists reverted_by uuid references auth.users (id),
+    add column if not exists reverted_at timestamptz;
+
+create index if not exists beer_availability_events_reporter_idx
+    on public.beer_availability_events (reported_by, reported_at);
+
+-- An ID claimed by an account can only be used by that account
+create or replace function public.can_use_user_id(user_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select not exists (
+        select 1 from public.profiles
+        where legacy_user_id = user_id and auth_user_id is distinct from auth.uid()
+    );
+$$;
+
+-- Whether reports from this ID, or from the current account, are blocked. Blocking an ID also
+-- blocks every account that has reported under it, so making up a new ID doesn't get round it.
+create or replace function public.is_reporter_blocked(p_user_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from public.blocked_users where user_id = p_user_id)
+        or exists (
+            select 1 from public.beer_availability_events e
+            join public.blocked_users b on b.user_id = e.reported_by
+            where e.auth_user_id = auth.uid()
+        );
+$$;
+
+-- Server-side checks on every new report
+create or replace function public.check_availability_report()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+begin
+    -- Reports need a session (an anonymous one will do) so the limits below hold per account.
+    -- IDs are made up by the app and cost nothing to change; the account comes from the
+    -- request's JWT, and Supabase limits how fast new anonymous accounts can be made.
+    if auth.uid() is null then
+        raise exception 'Reports need a session - please try again' using errcode = 'BT401';
+    end if;
+
+    if new.reported_by is null then
+        raise exception 'Reports must say who made them' using errcode = 'BT400';
+    end if;
+
+    -- One report at a time per account, so two sent together can't both pass the counts below
+    perform pg_advisory_xact_lock(hashtext('check_availability_report'), hashtext(auth.uid()::text));
+
+    if public.is_reporter_blocked(new.reported_by) then
+        raise exception 'This ID has been blocked from reporting' using errcode = 'BT403';
+    end if;
+
+    new.auth_user_id := auth.uid();
+
+    -- No more than 6 reports a minute from one account
+    if (select count(*) from public.beer_availability_events
+        where auth_user_id = new.auth_user_id
+            and reported_at > now() - interval '1 minute') >= 6 then
+        raise exception 'Too many reports - please wait a minute' using errcode = 'BT429';
+    end if;
+
+    -- No flipping the same beer back and forth
+    if exists (select 1 from public.beer_availability_events
+        where auth_user_id = new.auth_user_id
+            and event_id = new.event_id
+            and brewery = new.brewery
+            and beer_name = new.beer_name
+            and reported_at > now() - interval '30 seconds') then
+        raise exception 'You just reported this beer - please wait a moment' using errcode = 'BT429';
+    end if;
+
+    -- Offline reports keep their original time, but nothing from the future or days ago
+    if new.reported_at > now() or new.reported_at < now() - interval '1 day' then
+        new.reported_at := now();
+    end if;
+
+    -- The first report under an ID keeps the hash of its app's owner key, so only that app
+    -- can claim the ID for an account (see claim_legacy_user_id() in 006_profiles.sql)
+    if new.owner_key is not null
+        and not exists (select 1 from public.beer_availability_events where reported_by = new.reported_by) then
+        insert into public.legacy_user_keys (legacy_user_id, key_hash)
+        values (new.reported_by, encode(digest(new.owner_key, 'sha256'), 'hex'))
+        on conflict (legacy_user_id) do nothing;
+    end if;
+    new.owner_key := null;
+
+    new.reverted := false;
+    new.reverted_by := null;
+    new.reverted_at := null;
+    return new;
+end;
+$$;
+
+-- For the per-account limits in check_availability_report()
+create index if not exists beer_availability_events_auth_user_idx
+    on public.beer_availability_events (auth_user_id, reported_at);
+
+drop trigger if exists check_availability_report on public.beer_availability_events;
+create trigger check_availability_report
+    before insert on public.beer_availability_events
+    for each row execute function public.check_availability_report();
+
+-- Anyone can still report, but only as an ID that isn't someone else's account
+drop policy if exists "Anyone can add availability reports" on public.beer_availability_events;
+create policy "Anyone can add availability reports"
+    on public.beer_availability_events for insert
+    with check (public.can_use_user_id(reported_by));
+
+-- Only moderators change existing reports, and only to revert them
+create policy "Moderators can revert reports"
+    on public.beer_availability_events for update
+    using (public.is_moderator())
+    with check (public.is_moderator());
+
+revoke update, delete on public.beer_availability_events from anon, authenticated;
+grant update (reverted, reverted_by, reverted_at) on public.beer_availability_events to authenticated;
+
+-- Ratings and tasting notes: same rule about claimed IDs, and no more open updates of other people's rows
+drop policy if exists "Anyone can add ratings" on public.beer_ratings;
+drop policy if exists "Anyone can update ratings" on public.beer_ratings;
+create policy "Anyone can add ratings"
+    on public.beer_ratings for insert
+    with check (public.can_use_user_id(user_id));
+create policy "Anyone can update their ratings"
+    on public.beer_ratings for update
+    using (public.can_use_user_id(user_id))
+    with check (public.can_use_user_id(user_id));
+
+drop policy if exists "Anyone can add tasting notes" on public.tasting_notes;
+drop policy if exists "Anyone can update tasting notes" on public.tasting_notes;
+create policy "Anyone can add tasting notes"
+    on public.tasting_notes for insert
+    with check (public.can_use_user_id(user_id));
+create policy "Anyone can update their tasting notes"
+    on public.tasting_notes for update
+    using (public.can_use_user_id(user_id))
+    with check (public.can_use_user_id(user_id));
+
+-- The old single-row table is no longer written by the app - make it read-only
+do $$
+begin
+    if to_regclass('public.beer_availability') is not null then
+        execute 'revoke insert, update, delete on public.beer_availability from anon, authenticated';
+    end if;
+end;
+$$;
@@ -0,0 +1,189 @@
+-- Official cask status set by bar staff. It overrides crowd availability reports in the app.
+create table if not exists public.cask_status (
+    event_id text not null,
+    brewery text not null,
+    beer_name text not null,
+    status text not null check (status in ('on', 'settling', 'coming-soon', 'sold-out')),
+    percent_remaining smallint check (percent_remaining between 0 and 100),
+    updated_by text,
+    updated_at timestamptz not null default now(),
+    primary key (event_id, brewery, beer_name)
+);
+
+alter table public.cask_status enable row level security;
+
+create policy "Anyone can read cask status"
+    on public.cask_status for select
+    using (true);
+
+-- No insert/update policies: staff write through set_cask_status() below
+
+alter publication supabase_realtime add table public.cask_status;
+
+-- Staff accounts per event (see 006_profiles.sql), added by hand in the dashboard
+create table if not exists public.staff (
+    auth_user_id uuid not null references auth.users (id) on delete cascade,
+    event_id text not null,
+    primary key (auth_user_id, event_id)
+);
+
+alter table public.staff enable row level security;
+
+create policy "Staff can see their own roles"
+    on public.staff for select
+    using (auth.uid() = auth_user_id);
+
+-- A code for each volunteer without an account, so one can be revoked without changing everyone
+-- else's. Codes are made by the server, never chosen by hand. In the SQL editor:
+--   select public.create_staff_code('chappel-summer', 'Sam - Main Bar');
+-- returns the code to hand over. Only its hash is kept. Nobody can read this table from the app.
+create table if not exists public.staff_codes (
+    id bigint generated always as identity primary key,
+    event_id text not null,
+    label text not null,
+    code_hash text not null unique,
+    created_at timestamptz not null default now()
+);
+
+alter table public.staff_codes enable row level security;
+
+-- 12 hex digits (48 bits) from a secure random source
+create or replace function public.create_staff_code(p_event_id text, p_label text)
+returns text
+language plpgsql
+set search_path = public, extensions
+as $$
+declare
+    v_code text := encode(gen_random_bytes(6), 'hex');
+begin
+    insert into public.staff_codes (event_id, label, code_hash)
+    values (p_event_id, p_label, encode(digest(v_code, 'sha256'), 'hex'));
+    return v_code;
+end;
+$$;
+
+revoke execute on function public.create_staff_code(text, text) from public, anon, authenticated;
+
+-- Wrong codes, for throttling guesses (see verify_staff_code). Nobody can read this table from the app.
+create table if not exists public.staff_code_attempts (
+    auth_user_id uuid not null,
+    attempted_at timestamptz not null default now()
+);
+
+create index if not exists staff_code_attempts_caller_idx
+    on public.staff_code_attempts (auth_user_id, attempted_at);
+
+alter table public.staff_code_attempts enable row level security;
+
+-- A correct code is swapped for a session token, so the app never has to keep the code itself.
+-- Only the token's hash is stored. Deleting a volunteer's code signs them out too:
+--   delete from public.staff_codes where label = 'Sam - Main Bar';
+create table if not exists public.staff_sessions (
+    token_hash text primary key,
+    code_id bigint not null references public.staff_codes (id) on delete cascade,
+    event_id text not null,
+    expires_at timestamptz not null
+);
+
+alter table public.staff_sessions enable row level security;
+
+create or replace function public.is_event_staff(p_event_id text, p_token text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, extensions
+as $$
+    select public.is_moderator()
+        or exists (select 1 from public.staff where auth_user_id = auth.uid() and event_id = p_event_id)
+        or exists (
+            select 1 from public.staff_sessions
+            where event_id = p_event_id
+                and p_token is not null
+                and token_hash = encode(digest(p_token, 'sha256'), 'hex')
+                and expires_at > now()
+        );
+$$;
+
+-- Swaps a volunteer's code for a staff session token, or null for a wrong code. Guesses need a
+-- session (an anonymous one will do) and each gets five wrong codes in 15 minutes; one person's
+-- guessing never locks out anyone else. Supabase limits new anonymous sessions per IP address
+-- (30 an hour by default), so one address gets around 1.5 million guesses over a three-day
+-- festival - against 2^48 (about 280 trillion) possible codes.
+create or replace function public.verify_staff_code(p_event_id text, p_code text)
+returns text
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    v_code_id bigint;
+    v_token text;
+begin
+    if auth.uid() is null then
+        raise exception 'Staff codes need a session - please try again' using errcode = 'BT401';
+    end if;
+
+    if (select count(*) from public.staff_code_attempts
+        where auth_user_id = auth.uid() and attempted_at > now() - interval '15 minutes') >= 5 then
+        raise exception 'Too many wrong codes - please try again later' using errcode = 'BT429';
+    end if;
+
+    -- Spaces and capitals don't matter, so codes can be read out and typed in groups
+    select id into v_code_id from public.staff_codes
+    where event_id = p_event_id and code_hash = encode(digest(lower(regexp_replace(p_code, '\s', '', 'g')), 'sha256'), 'hex');
+
+    if v_code_id is null then
+        insert into public.staff_code_attempts (auth_user_id) values (auth.uid());
+        return null;
+    end if;
+
+    -- Tidy up while we're here
+    delete from public.staff_sessions where expires_at < now();
+    delete from public.staff_code_attempts where attempted_at < now() - interval '1 day';
+
+    v_token := encode(gen_random_bytes(32), 'hex');
+    insert into public.staff_sessions (token_hash, code_id, event_id, expires_at)
+    values (encode(digest(v_token, 'sha256'), 'hex'), v_code_id, p_event_id, now() + interval '4 days');
+    return v_token;
+end;
+$$;
+
+-- Set (or with p_status null, clear) the official status of a cask
+create or replace function public.set_cask_status(
+    p_event_id text,
+    p_brewery text,
+    p_beer_name text,
+    p_status text,
+    p_percent_remaining smallint,
+    p_token text,
+    p_updated_by text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.is_event_staff(p_event_id, p_token) then
+        raise exception 'Staff code or role required' using errcode = 'BT403';
+    end if;
+
+    if p_status is null then
+        delete from public.cask_status
+        where event_id = p_event_id and brewery = p_brewery and beer_name = p_beer_name;
+        return;
+    end if;
+
+    insert into public.cask_status (event_id, brewery, beer_name, status, percent_remaining, updated_by, updated_at)
+    values (p_event_id, p_brewery, p_beer_name, p_status, p_percent_remaining, p_updated_by, now())
+    on conflict (event_id, brewery, beer_name) do update
+    set status = excluded.status,
+        percent_remaining = excluded.percent_remaining,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at;
+end;
+$$;
+
+grant execute on function public.verify_staff_code(text, text) to anon, authenticated;
+grant execute on function public.set_cask_status(text, text, text, text, smallint, text, text) to anon, authenticated;
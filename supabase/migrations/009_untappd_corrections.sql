@@ -0,0 +1,109 @@
+-- Hand-corrected Untappd matches, shared so one fix helps everyone.
+-- Not scoped to an event - the same beer turns up at more than one festival.
+-- Append-only like availability reports: a new correction replaces the one before it in
+-- latest_untappd_corrections, but nobody can rewrite or erase what someone else added.
+create table if not exists public.untappd_corrections (
+    id bigint generated always as identity primary key,
+    brewery text not null,
+    beer_name text not null,
+    untappd_bid bigint, -- null means the beer isn't on Untappd
+    untappd_name text,
+    untappd_brewery text,
+    corrected_by text not null,
+    auth_user_id uuid, -- from the request's JWT, filled in by check_untappd_correction()
+    corrected_at timestamptz not null default now()
+);
+
+create index if not exists untappd_corrections_beer_idx
+    on public.untappd_corrections (brewery, beer_name, corrected_at desc);
+
+alter table public.untappd_corrections enable row level security;
+
+create policy "Anyone can read Untappd corrections"
+    on public.untappd_corrections for select
+    using (true);
+
+-- Same rule as reports (see 007_moderation.sql): only as an ID that isn't someone else's account
+create policy "Anyone can add Untappd corrections"
+    on public.untappd_corrections for insert
+    with check (public.can_use_user_id(corrected_by));
+
+-- Moderators take bad corrections out, which brings back the one before
+create policy "Moderators can remove Untappd corrections"
+    on public.untappd_corrections for delete
+    using (public.is_moderator());
+
+revoke update on public.untappd_corrections from anon, authenticated;
+
+-- Same protection as check_availability_report() in 007_moderation.sql: a session, no blocked
+-- IDs or accounts, and no more than 10 corrections an hour from one account
+create or replace function public.check_untappd_correction()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        raise exception 'Corrections need a session - please try again' using errcode = 'BT401';
+    end if;
+
+    perform pg_advisory_xact_lock(hashtext('check_untappd_correction'), hashtext(auth.uid()::text));
+
+    if public.is_reporter_blocked(new.corrected_by) then
+        raise exception 'This ID has been blocked' using errcode = 'BT403';
+    end if;
+
+    new.auth_user_id := auth.uid();
+
+    if (select count(*) from public.untappd_corrections
+        where auth_user_id = new.auth_user_id
+            and corrected_at > now() - interval '1 hour') >= 10 then
+        raise exception 'Too many Untappd corrections - please try again later' using errcode = 'BT429';
+    end if;
+
+    new.corrected_at := now();
+    return new;
+end;
+$$;
+
+create index if not exists untappd_corrections_auth_user_idx
+    on public.untappd_corrections (auth_user_id, corrected_at);
+
+drop trigger if exists check_untappd_correction on public.untappd_corrections;
+create trigger check_untappd_correction
+    before insert on public.untappd_corrections
+    for each row execute function public.check_untappd_correction();
+
+-- Whether an ID is blocked, for the view below - only moderators can read blocked_users itself
+create or replace function public.is_user_id_blocked(p_user_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from public.blocked_users where user_id = p_user_id);
+$$;
+
+-- The correction in force for each beer - what the app loads. Blocking an ID drops its
+-- corrections here, bringing back the one before each.
+create or replace view public.latest_untappd_corrections
+with (security_invoker = true)
+as
+select distinct on (brewery, beer_name) *
+from public.untappd_corrections
+where not public.is_user_id_blocked(corrected_by)
+order by brewery, beer_name, corrected_at desc, id desc;
+
+-- Untappd API answers kept by the untappd Edge Function (supabase/functions/untappd), so each
+-- beer costs the shared hourly limit once for everyone instead of once per phone. Only the
+-- function, with the service role key, reads and writes it.
+create table if not exists public.untappd_api_cache (
+    cache_key text primary key,
+    status smallint not null,
+    body text not null,
+    fetched_at timestamptz not null default now()
+);
+
+alter table public.untappd_api_cache enable row level security;
@@ -0,0 +1,120 @@
+-- Undo for availability reports, and reports that can be sent more than once safely.
+-- Each report carries an ID made by the app. Sending the same report twice (a retry after the
+-- connection dropped, an offline report replayed) stores it once: the app upserts on this ID.
+alter table public.beer_availability_events
+    add column if not exists client_id uuid unique;
+
+-- SHA-256 (hex) of a random undo key that only the reporting app knows. client_id and
+-- reported_by can be read by anyone, so on their own they can't prove who made a report.
+-- The app sends the key itself in undo_key, which check_availability_report() swaps for the
+-- hash - so it's never stored, and the app doesn't need crypto.subtle (https only) to hash it.
+alter table public.beer_availability_events
+    add column if not exists undo_key_hash text,
+    add column if not exists undo_key text;
+
+-- Same checks as 007_moderation.sql, except a report that's already stored goes straight
+-- through to "on conflict do nothing" instead of tripping the rate limits
+create or replace function public.check_availability_report()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+begin
+    if new.client_id is not null
+        and exists (select 1 from public.beer_availability_events where client_id = new.client_id) then
+        return new;
+    end if;
+
+    -- Reports need a session (an anonymous one will do) so the limits below hold per account.
+    -- IDs are made up by the app and cost nothing to change; the account comes from the
+    -- request's JWT, and Supabase limits how fast new anonymous accounts can be made.
+    if auth.uid() is null then
+        raise exception 'Reports need a session - please try again' using errcode = 'BT401';
+    end if;
+
+    if new.reported_by is null then
+        raise exception 'Reports must say who made them' using errcode = 'BT400';
+    end if;
+
+    -- One report at a time per account, so two sent together can't both pass the counts below
+    perform pg_advisory_xact_lock(hashtext('check_availability_report'), hashtext(auth.uid()::text));
+
+    if public.is_reporter_blocked(new.reported_by) then
+        raise exception 'This ID has been blocked from reporting' using errcode = 'BT403';
+    end if;
+
+    new.auth_user_id := auth.uid();
+
+    -- No more than 6 reports a minute from one account
+    if (select count(*) from public.beer_availability_events
+        where auth_user_id = new.auth_user_id
+            and reported_at > now() - interval '1 minute') >= 6 then
+        raise exception 'Too many reports - please wait a minute' using errcode = 'BT429';
+    end if;
+
+    -- No flipping the same beer back and forth. An undone report doesn't count, so a
+    -- mistaken report can be undone and replaced straight away.
+    if exists (select 1 from public.beer_availability_events
+        where auth_user_id = new.auth_user_id
+            and event_id = new.event_id
+            and brewery = new.brewery
+            and beer_name = new.beer_name
+            and not reverted
+            and reported_at > now() - interval '30 seconds') then
+        raise exception 'You just reported this beer - please wait a moment' using errcode = 'BT429';
+    end if;
+
+    -- Offline reports keep their original time, but nothing from the future or days ago
+    if new.reported_at > now() or new.reported_at < now() - interval '1 day' then
+        new.reported_at := now();
+    end if;
+
+    new.undo_key_hash := encode(digest(new.undo_key, 'sha256'), 'hex');
+    new.undo_key := null;
+
+    -- The first report under an ID keeps the hash of its app's owner key, so only that app
+    -- can claim the ID for an account (see claim_legacy_user_id() in 006_profiles.sql)
+    if new.owner_key is not null
+        and not exists (select 1 from public.beer_availability_events where reported_by = new.reported_by) then
+        insert into public.legacy_user_keys (legacy_user_id, key_hash)
+        values (new.reported_by, encode(digest(new.owner_key, 'sha256'), 'hex'))
+        on conflict (legacy_user_id) do nothing;
+    end if;
+    new.owner_key := null;
+
+    new.reverted := false;
+    new.reverted_by := null;
+    new.reverted_at := null;
+    return new;
+end;
+$$;
+
+-- Undo: the app that made a report can revert it for a few minutes afterwards, by showing
+-- the undo key behind undo_key_hash. It uses the same "reverted" flag as moderators, so
+-- everyone's app drops it through the realtime update.
+create or replace function public.retract_availability_report(p_client_id uuid, p_undo_key text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+begin
+    if p_undo_key is null then
+        return false;
+    end if;
+
+    update public.beer_availability_events
+    set reverted = true,
+        reverted_by = auth.uid(),
+        reverted_at = now()
+    where client_id = p_client_id
+        and undo_key_hash = encode(digest(p_undo_key, 'sha256'), 'hex')
+        and not reverted
+        and reported_at > now() - interval '10 minutes';
+
+    return found;
+end;
+$$;
+
+grant execute on function public.retract_availability_report(uuid, text) to anon, authenticated;
@@ -0,0 +1,82 @@
+const CACHE_NAME = 'chappel-beer-v11';
+
+// App shell - everything needed to open the app with no connection
+const APP_SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    './sources.js',
+    './events.js',
+    './search.js',
+    './taxonomy.js',
+    './towns.js',
+    './planner.js',
+    './export.js',
+    './analytics.js',
+    './untappd.js',
+    './table-renderer.js',
+    './script.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove caches left over from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const isAppShell = url.origin === self.location.origin ||
+        APP_SHELL.includes(request.url);
+    
+    // Beer list and Supabase requests are handled by the app's own snapshot cache
+    if (!isAppShell) return;
+    
+    // Network first so updates are picked up, falling back to the cached copy offline
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true }))
+    );
+});
+
+// Watchlist notifications - bring the app back and show the beer
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const data = event.notification.data || {};
+    
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(clients => {
+                const client = clients.find(c => new URL(c.url).origin === self.location.origin);
+                if (client) {
+                    client.postMessage({ type: 'show-beer', key: data.key });
+                    return client.focus();
+                }
+                return self.clients.openWindow(data.url || './');
+            })
+    );
+});
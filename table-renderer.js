@@ -0,0 +1,177 @@
+// Keyed, virtualised table body renderer.
+// Rows are kept per key and only patched when their content changes, and long lists only put
+// the rows near the viewport in the DOM - spacer rows above and below keep the scroll height right.
+
+// Lists shorter than this are rendered in full
+const VIRTUAL_ROW_THRESHOLD = 80;
+// Extra rows rendered above and below the viewport so fast scrolling doesn't show gaps
+const VIRTUAL_OVERSCAN_ROWS = 15;
+// Starting guess for the row height until real rows have been measured
+const VIRTUAL_DEFAULT_ROW_HEIGHT = 48;
+
+class VirtualTableRenderer {
+    constructor(tbody, options) {
+        this.tbody = tbody;
+        this.getKey = options.getKey;
+        // renderRow(item) -> { html, classes: { className: bool }, title }
+        this.renderRow = options.renderRow;
+        this.columnCount = options.columnCount;
+        this.threshold = options.threshold || VIRTUAL_ROW_THRESHOLD;
+        this.overscan = options.overscan || VIRTUAL_OVERSCAN_ROWS;
+        this.rowHeight = VIRTUAL_DEFAULT_ROW_HEIGHT;
+        this.virtual = true;
+        
+        this.items = [];
+        this.itemsByKey = new Map();
+        this.rows = new Map(); // key -> { row, html, title, index }
+        this.updateScheduled = false;
+        
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+        
+        // Scrolling only changes which rows are on screen - batch it to one update per frame
+        window.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleUpdate());
+    }
+    
+    createSpacer() {
+        const row = document.createElement('tr');
+        row.className = 'virtual-spacer';
+        row.setAttribute('aria-hidden', 'true');
+        row.innerHTML = `<td colspan="${this.columnCount}"></td>`;
+        return row;
+    }
+    
+    setItems(items) {
+        this.items = items;
+        this.itemsByKey = new Map(items.map(item => [this.getKey(item), item]));
+        
+        // Forget rows for items that are no longer in the list
+        this.rows.forEach((entry, key) => {
+            if (!this.itemsByKey.has(key)) this.rows.delete(key);
+        });
+        
+        this.update();
+    }
+    
+    getItem(key) {
+        return this.itemsByKey.get(key) || null;
+    }
+    
+    setVirtual(virtual) {
+        // Printing needs every row in the DOM
+        this.virtual = virtual;
+        this.update();
+    }
+    
+    scheduleUpdate() {
+        if (this.updateScheduled || this.items.length <= this.threshold) return;
+        this.updateScheduled = true;
+        requestAnimationFrame(() => {
+            this.updateScheduled = false;
+            this.update();
+        });
+    }
+    
+    getVisibleRange() {
+        const count = this.items.length;
+        if (!this.virtual || count <= this.threshold) return { start: 0, end: count };
+        
+        // The top spacer is part of the tbody, so its top edge tracks where row 0 would be
+        const offset = -this.tbody.getBoundingClientRect().top;
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        const first = Math.floor(offset / this.rowHeight);
+        const visible = Math.ceil(viewportHeight / this.rowHeight);
+        
+        const start = Math.min(count, Math.max(0, first - this.overscan));
+        const end = Math.min(count, Math.max(start, first + visible + this.overscan));
+        return { start, end };
+    }
+    
+    update() {
+        const { start, end } = this.getVisibleRange();
+        const visibleRows = this.items.slice(start, end).map((item, index) => this.patchRow(item, start + index));
+        
+        this.topSpacer.firstChild.style.height = `${start * this.rowHeight}px`;
+        this.bottomSpacer.firstChild.style.height = `${(this.items.length - end) * this.rowHeight}px`;
+        
+        this.reconcile([this.topSpacer, ...visibleRows, this.bottomSpacer]);
+        this.measureRowHeight(visibleRows);
+    }
+    
+    patchRow(item, index) {
+        const key = this.getKey(item);
+        let entry = this.rows.get(key);
+        if (!entry) {
+            const row = document.createElement('tr');
+            row.dataset.rowKey = key;
+            // Rows take focus so the list works from the keyboard - Enter opens the row's menu
+            row.setAttribute('role', 'row');
+            row.tabIndex = 0;
+            row.setAttribute('aria-haspopup', 'dialog');
+            entry = { row, html: null, title: null, index: null };
+            this.rows.set(key, entry);
+        }
+        
+        const view = this.renderRow(item);
+        
+        // Only touch the DOM for the parts that changed
+        if (entry.html !== view.html) {
+            entry.row.innerHTML = view.html;
+            entry.html = view.html;
+        }
+        if (entry.title !== view.title) {
+            entry.row.title = view.title;
+            entry.title = view.title;
+        }
+        Object.keys(view.classes).forEach(className => {
+            entry.row.classList.toggle(className, view.classes[className]);
+        });
+        
+        // Striping by list position - nth-child would shift as the top spacer's rows change
+        if (index !== undefined && entry.index !== index) {
+            entry.row.classList.toggle('row-even', index % 2 === 1);
+            entry.index = index;
+        }
+        
+        return entry.row;
+    }
+    
+    refresh(key) {
+        // Re-render a single row if it's on screen, returning it (or null)
+        const entry = this.rows.get(key);
+        const item = this.itemsByKey.get(key);
+        if (!entry || !item || entry.row.parentNode !== this.tbody) return null;
+        
+        this.patchRow(item);
+        return entry.row;
+    }
+    
+    reconcile(desired) {
+        // Move rows into the desired order, only inserting where the current node differs
+        let current = this.tbody.firstChild;
+        desired.forEach(row => {
+            if (current === row) {
+                current = current.nextSibling;
+            } else {
+                this.tbody.insertBefore(row, current);
+            }
+        });
+        
+        // Anything left after the bottom spacer is no longer shown
+        while (current) {
+            const next = current.nextSibling;
+            this.tbody.removeChild(current);
+            current = next;
+        }
+    }
+    
+    measureRowHeight(rows) {
+        if (rows.length === 0 || this.items.length <= this.threshold) return;
+        
+        const total = rows.reduce((sum, row) => sum + row.offsetHeight, 0);
+        const average = total / rows.length;
+        // Hidden tables measure as zero - keep the previous estimate
+        if (average > 0) this.rowHeight = average;
+    }
+}
@@ -0,0 +1,103 @@
+// Beer style taxonomy - families of styles, each style matched by keywords in the listed style text.
+// A beer gets every style whose keywords match, so "Golden Bitter" is both Golden Ale and Bitter.
+// Keywords match whole words or phrases; excludes stop a match.
+
+const STYLE_TAXONOMY = [
+    {
+        family: 'Hoppy',
+        styles: [
+            { name: 'IPA', keywords: ['ipa', 'dipa', 'neipa', 'india pale ale', 'double ipa'], excludes: ['black ipa', 'black india pale ale', 'cascadian'] },
+            { name: 'Pale Ale', keywords: ['pale ale', 'pale', 'apa', 'session ale'], excludes: ['india pale ale'] },
+            { name: 'Golden Ale', keywords: ['golden', 'blonde', 'blond', 'summer ale'] }
+        ]
+    },
+    {
+        family: 'Traditional',
+        styles: [
+            { name: 'Bitter', keywords: ['bitter', 'esb', 'best bitter'] },
+            { name: 'Amber Ale', keywords: ['amber', 'red ale'] },
+            { name: 'Brown Ale', keywords: ['brown ale', 'brown'] },
+            { name: 'Old Ale', keywords: ['old ale'] },
+            { name: 'Strong Ale', keywords: ['strong ale', 'scotch ale', 'wee heavy'] },
+            { name: 'Barley Wine', keywords: ['barley wine', 'barleywine'] }
+        ]
+    },
+    {
+        family: 'Dark',
+        styles: [
+            { name: 'Stout', keywords: ['stout'] },
+            { name: 'Porter', keywords: ['porter'] },
+            { name: 'Mild', keywords: ['mild'] },
+            { name: 'Black IPA', keywords: ['black ipa', 'cascadian dark', 'black india pale ale'] }
+        ]
+    },
+    {
+        family: 'Lager & Wheat',
+        styles: [
+            { name: 'Lager', keywords: ['lager', 'helles', 'dunkel', 'bock', 'doppelbock', 'kolsch', 'kölsch'] },
+            { name: 'Pilsner', keywords: ['pilsner', 'pils'] },
+            { name: 'Wheat Beer', keywords: ['wheat', 'weizen', 'hefeweizen', 'weissbier', 'weisse', 'witbier', 'wit'] }
+        ]
+    },
+    {
+        family: 'Sour & Farmhouse',
+        styles: [
+            { name: 'Sour', keywords: ['sour', 'gose', 'lambic', 'gueuze', 'berliner', 'wild ale'] },
+            { name: 'Saison', keywords: ['saison', 'farmhouse'] }
+        ]
+    },
+    {
+        family: 'Speciality',
+        styles: [
+            { name: 'Fruit Beer', keywords: ['fruit', 'raspberry', 'cherry', 'kriek', 'mango', 'passion fruit'] },
+            { name: 'Smoked', keywords: ['smoked', 'rauch'] },
+            { name: 'Spiced & Herbal', keywords: ['spiced', 'ginger', 'honey', 'herbal', 'vanilla', 'coffee', 'chocolate'] }
+        ]
+    },
+    {
+        family: 'Cider & Perry',
+        styles: [
+            { name: 'Cider', keywords: ['cider'] },
+            { name: 'Perry', keywords: ['perry'] }
+        ]
+    }
+];
+
+// Used only when nothing more specific matched
+const GENERIC_STYLE = { family: 'Traditional', name: 'Ale', keywords: ['ale'] };
+
+function styleKeywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`, 'i');
+}
+
+// Compile keyword patterns once
+const STYLE_MATCHERS = STYLE_TAXONOMY.flatMap(group => group.styles.map(style => ({
+    family: group.family,
+    name: style.name,
+    patterns: style.keywords.map(styleKeywordPattern),
+    excludes: (style.excludes || []).map(styleKeywordPattern)
+})));
+
+function getStyleTags(styleText) {
+    const text = (styleText || '').toLowerCase();
+    if (!text) return [];
+    
+    const tags = STYLE_MATCHERS
+        .filter(matcher => matcher.patterns.some(pattern => pattern.test(text)))
+        .filter(matcher => !matcher.excludes.some(pattern => pattern.test(text)))
+        .map(matcher => matcher.name);
+    
+    if (tags.length === 0 && styleKeywordPattern('ale').test(text)) {
+        tags.push(GENERIC_STYLE.name);
+    }
+    
+    return tags;
+}
+
+function getStyleFamily(styleName) {
+    if (styleName === GENERIC_STYLE.name) return GENERIC_STYLE.family;
+    
+    const group = STYLE_TAXONOMY.find(g => g.styles.some(style => style.name === styleName));
+    return group ? group.family : null;
+}
@@ -0,0 +1,254 @@
+// Town coordinates for brewery locations, so the app can say how far a brewery is from the festival
+// without a geocoding service. Concentrated on the East of England, plus the bigger brewing towns elsewhere.
+
+// Names are normalised as in normalizeTownName(): lowercase, no punctuation, hyphens as spaces
+const TOWN_COORDINATES = {
+    // Essex
+    'basildon': [51.5761, 0.4886],
+    'billericay': [51.6281, 0.4194],
+    'braintree': [51.8787, 0.5529],
+    'brentwood': [51.6214, 0.3051],
+    'brightlingsea': [51.8106, 1.0240],
+    'burnham on crouch': [51.6282, 0.8138],
+    'canvey island': [51.5222, 0.5862],
+    'chappel': [51.9256, 0.7585],
+    'chelmsford': [51.7356, 0.4685],
+    'chipping ongar': [51.7059, 0.2439],
+    'clacton on sea': [51.7898, 1.1561],
+    'coggeshall': [51.8722, 0.6909],
+    'colchester': [51.8959, 0.8919],
+    'danbury': [51.7176, 0.5789],
+    'dedham': [51.9594, 0.9925],
+    'earls colne': [51.9267, 0.7012],
+    'epping': [51.6996, 0.1109],
+    'frinton on sea': [51.8305, 1.2453],
+    'grays': [51.4754, 0.3228],
+    'great dunmow': [51.8726, 0.3636],
+    'halstead': [51.9451, 0.6411],
+    'harlow': [51.7727, 0.1021],
+    'harwich': [51.9424, 1.2839],
+    'hockley': [51.6016, 0.6558],
+    'kelvedon': [51.8405, 0.7030],
+    'leigh on sea': [51.5425, 0.6535],
+    'maldon': [51.7318, 0.6758],
+    'manningtree': [51.9449, 1.0629],
+    'rayleigh': [51.5863, 0.6049],
+    'rochford': [51.5818, 0.7066],
+    'romford': [51.5750, 0.1834],
+    'saffron walden': [52.0225, 0.2393],
+    'south woodham ferrers': [51.6465, 0.6145],
+    'southend on sea': [51.5459, 0.7077],
+    'stansted mountfitchet': [51.8990, 0.2007],
+    'thaxted': [51.9540, 0.3431],
+    'tiptree': [51.8126, 0.7492],
+    'west mersea': [51.7783, 0.9171],
+    'wickford': [51.6114, 0.5207],
+    'witham': [51.8007, 0.6402],
+    'writtle': [51.7293, 0.4270],
+    
+    // Suffolk
+    'aldeburgh': [52.1530, 1.6010],
+    'brandon': [52.4490, 0.6244],
+    'bungay': [52.4563, 1.4370],
+    'bury st edmunds': [52.2463, 0.7111],
+    'clare': [52.0780, 0.5800],
+    'debenham': [52.2244, 1.1810],
+    'eye': [52.3201, 1.1478],
+    'felixstowe': [51.9639, 1.3515],
+    'framlingham': [52.2218, 1.3452],
+    'hadleigh': [52.0428, 0.9557],
+    'halesworth': [52.3451, 1.5040],
+    'haverhill': [52.0826, 0.4390],
+    'ipswich': [52.0567, 1.1482],
+    'lavenham': [52.1078, 0.7962],
+    'long melford': [52.0760, 0.7190],
+    'lowestoft': [52.4811, 1.7534],
+    'mildenhall': [52.3447, 0.5104],
+    'nayland': [51.9757, 0.8773],
+    'needham market': [52.1537, 1.0516],
+    'newmarket': [52.2448, 0.4067],
+    'southwold': [52.3268, 1.6779],
+    'stoke by nayland': [51.9883, 0.8886],
+    'stowmarket': [52.1889, 0.9978],
+    'sudbury': [52.0386, 0.7306],
+    'wickham market': [52.1525, 1.3633],
+    'woodbridge': [52.0939, 1.3200],
+    
+    // Norfolk
+    'attleborough': [52.5177, 1.0195],
+    'aylsham': [52.7968, 1.2538],
+    'cromer': [52.9310, 1.3019],
+    'dereham': [52.6811, 0.9399],
+    'diss': [52.3762, 1.1083],
+    'downham market': [52.6033, 0.3839],
+    'fakenham': [52.8305, 0.8478],
+    'great yarmouth': [52.6083, 1.7305],
+    'holt': [52.9076, 1.0917],
+    'kings lynn': [52.7543, 0.3976],
+    'north walsham': [52.8213, 1.3867],
+    'norwich': [52.6309, 1.2974],
+    'swaffham': [52.6479, 0.6877],
+    'thetford': [52.4130, 0.7490],
+    'wells next the sea': [52.9520, 0.8510],
+    'woodbastwick': [52.6844, 1.4366],
+    'wymondham': [52.5705, 1.1158],
+    
+    // Cambridgeshire, Hertfordshire, Bedfordshire and around
+    'bedford': [52.1364, -0.4675],
+    'bishops stortford': [51.8720, 0.1580],
+    'cambridge': [52.2053, 0.1218],
+    'ely': [52.3990, 0.2624],
+    'hertford': [51.7956, -0.0780],
+    'hitchin': [51.9475, -0.2817],
+    'huntingdon': [52.3312, -0.1847],
+    'kettering': [52.3984, -0.7262],
+    'luton': [51.8787, -0.4200],
+    'march': [52.5512, 0.0884],
+    'milton keynes': [52.0406, -0.7594],
+    'northampton': [52.2405, -0.9027],
+    'oakham': [52.6706, -0.7279],
+    'peterborough': [52.5695, -0.2405],
+    'royston': [52.0487, -0.0248],
+    'st albans': [51.7520, -0.3360],
+    'st ives': [52.3333, -0.0750],
+    'st neots': [52.2283, -0.2700],
+    'stamford': [52.6540, -0.4800],
+    'stevenage': [51.9017, -0.2019],
+    'tring': [51.7960, -0.6590],
+    'watford': [51.6565, -0.3903],
+    'wisbech': [52.6661, 0.1594],
+    
+    // London
+    'london': [51.5074, -0.1278],
+    'bermondsey': [51.4980, -0.0630],
+    'brentford': [51.4833, -0.3000],
+    'chiswick': [51.4929, -0.2578],
+    'greenwich': [51.4826, -0.0077],
+    'hackney': [51.5450, -0.0553],
+    'southwark': [51.5035, -0.0804],
+    'tottenham': [51.5975, -0.0681],
+    'walthamstow': [51.5830, -0.0200],
+    
+    // South East
+    'alton': [51.1491, -0.9732],
+    'ashford': [51.1465, 0.8750],
+    'brighton': [50.8225, -0.1372],
+    'canterbury': [51.2802, 1.0789],
+    'dover': [51.1279, 1.3134],
+    'faversham': [51.3150, 0.8910],
+    'guildford': [51.2362, -0.5704],
+    'henley on thames': [51.5356, -0.9030],
+    'horsham': [51.0629, -0.3259],
+    'lewes': [50.8738, 0.0088],
+    'maidstone': [51.2704, 0.5227],
+    'marlow': [51.5710, -0.7760],
+    'oxford': [51.7520, -1.2577],
+    'partridge green': [50.9587, -0.3097],
+    'ramsgate': [51.3359, 1.4163],
+    'reading': [51.4543, -0.9781],
+    'rochester': [51.3886, 0.5071],
+    'sittingbourne': [51.3400, 0.7310],
+    'tonbridge': [51.1951, 0.2758],
+    'tunbridge wells': [51.1322, 0.2637],
+    'westerham': [51.2671, 0.0715],
+    
+    // Midlands and the North
+    'banbury': [52.0629, -1.3398],
+    'birmingham': [52.4862, -1.8904],
+    'burton upon trent': [52.8020, -1.6300],
+    'derby': [52.9225, -1.4746],
+    'grantham': [52.9120, -0.6420],
+    'hook norton': [51.9960, -1.4840],
+    'huddersfield': [53.6458, -1.7850],
+    'hull': [53.7676, -0.3274],
+    'keighley': [53.8679, -1.9114],
+    'leeds': [53.8008, -1.5491],
+    'leicester': [52.6369, -1.1398],
+    'lincoln': [53.2307, -0.5406],
+    'liverpool': [53.4084, -2.9916],
+    'manchester': [53.4808, -2.2426],
+    'masham': [54.2228, -1.6547],
+    'newark': [53.0760, -0.8090],
+    'newcastle upon tyne': [54.9783, -1.6178],
+    'nottingham': [52.9548, -1.1581],
+    'sheffield': [53.3811, -1.4701],
+    'tadcaster': [53.8835, -1.2620],
+    'witney': [51.7850, -1.4850],
+    'york': [53.9600, -1.0873],
+    
+    // South West, Wales and Scotland
+    'alloa': [56.1160, -3.7930],
+    'bath': [51.3811, -2.3590],
+    'bristol': [51.4545, -2.5879],
+    'cardiff': [51.4816, -3.1791],
+    'cheltenham': [51.8994, -2.0783],
+    'edinburgh': [55.9533, -3.1883],
+    'ellon': [57.3658, -2.0747],
+    'exeter': [50.7184, -3.5339],
+    'frome': [51.2279, -2.3215],
+    'glasgow': [55.8642, -4.2518],
+    'hereford': [52.0565, -2.7160],
+    'ledbury': [52.0337, -2.4235],
+    'ludlow': [52.3675, -2.7180],
+    'much marcle': [51.9972, -2.5081],
+    'shrewsbury': [52.7073, -2.7553],
+    'st austell': [50.3400, -4.7900],
+    'stroud': [51.7450, -2.2170],
+    'wiveliscombe': [51.0420, -3.3120]
+};
+
+// Other ways the same towns turn up in beer lists
+const TOWN_ALIASES = {
+    'southend': 'southend on sea',
+    'clacton': 'clacton on sea',
+    'frinton': 'frinton on sea',
+    'leigh': 'leigh on sea',
+    'burnham': 'burnham on crouch',
+    'ongar': 'chipping ongar',
+    'dunmow': 'great dunmow',
+    'mersea': 'west mersea',
+    'mersea island': 'west mersea',
+    'bury': 'bury st edmunds',
+    'yarmouth': 'great yarmouth',
+    'east dereham': 'dereham',
+    'burton': 'burton upon trent',
+    'burton on trent': 'burton upon trent',
+    'newcastle': 'newcastle upon tyne',
+    'kingston upon hull': 'hull',
+    'henley': 'henley on thames',
+    'royal tunbridge wells': 'tunbridge wells'
+};
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+function normalizeTownName(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/['’.]/g, '')
+        .replace(/\b(nr|near)\b/g, ' ')
+        .replace(/\bsaint\b/g, 'st')
+        .replace(/[^a-z]+/g, ' ')
+        .trim();
+}
+
+function findTownCoordinates(location) {
+    // "Southwold, Suffolk", "nr Maldon", "St. Albans (Herts)" - the whole text, then each part of it
+    const parts = [location, ...String(location || '').split(/[,/()]/)];
+    
+    for (const part of parts) {
+        const name = normalizeTownName(part);
+        const coordinates = TOWN_COORDINATES[TOWN_ALIASES[name] || name];
+        if (coordinates) return coordinates;
+    }
+    return null;
+}
+
+function haversineMiles([lat1, lon1], [lat2, lon2]) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
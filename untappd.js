@@ -0,0 +1,207 @@
+// Untappd matching - resolves festival beers to Untappd beer IDs for ratings and direct links.
+// Sources return candidates shaped { bid, name, brewery, abv, style, rating, ratingCount }.
+
+// Best matches scoring below this are treated as "not on Untappd" rather than risk the wrong beer
+const UNTAPPD_MATCH_THRESHOLD = 0.7;
+// How much the name, brewery and ABV each count towards the match score
+const UNTAPPD_MATCH_WEIGHTS = { name: 0.55, brewery: 0.3, abv: 0.15 };
+// ABV difference at which the ABV part scores nothing - lists and Untappd often differ by a few tenths
+const UNTAPPD_ABV_TOLERANCE = 1.5;
+// Words brewery names are listed both with and without ("Crouch Vale" / "Crouch Vale Brewery")
+const UNTAPPD_BREWERY_NOISE_WORDS = ['the', 'brewery', 'brewing', 'brewhouse', 'co', 'company', 'ltd', 'limited', 'ales', 'beer', 'beers', 'cider', 'craft'];
+// The public API allows 100 calls an hour per key, shared by everyone through the proxy.
+// Only lookups the proxy has to pass on to Untappd wait this long - it answers repeats itself.
+const UNTAPPD_API_REQUEST_GAP_MS = 36000;
+
+function normalizeUntappdText(text, noiseWords = []) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !noiseWords.includes(word))
+        .join(' ');
+}
+
+function untappdWordScore(word, words) {
+    // 1 for the same word, less for a near miss within the typo allowance (see search.js)
+    let best = 0;
+    words.forEach(other => {
+        if (other === word) {
+            best = 1;
+            return;
+        }
+        const longer = word.length >= other.length ? word : other;
+        const distance = editDistance(word, other);
+        if (distance <= allowedTypos(longer)) {
+            best = Math.max(best, 1 - distance / longer.length);
+        }
+    });
+    return best;
+}
+
+function untappdTextSimilarity(a, b) {
+    // Word overlap in both directions, so extra words on either side lower the score
+    const aWords = a.split(' ').filter(word => word);
+    const bWords = b.split(' ').filter(word => word);
+    if (aWords.length === 0 || bWords.length === 0) return 0;
+    
+    // "BlackIPA" and "Black IPA" are the same name
+    if (aWords.join('') === bWords.join('')) return 1;
+    
+    const aScore = aWords.reduce((sum, word) => sum + untappdWordScore(word, bWords), 0);
+    const bScore = bWords.reduce((sum, word) => sum + untappdWordScore(word, aWords), 0);
+    return (aScore + bScore) / (aWords.length + bWords.length);
+}
+
+function scoreUntappdMatch(beer, candidate) {
+    const nameScore = untappdTextSimilarity(normalizeUntappdText(beer.beer), normalizeUntappdText(candidate.name));
+    const breweryScore = untappdTextSimilarity(
+        normalizeUntappdText(beer.brewery, UNTAPPD_BREWERY_NOISE_WORDS),
+        normalizeUntappdText(candidate.brewery, UNTAPPD_BREWERY_NOISE_WORDS)
+    );
+    
+    // Missing ABVs neither help nor hurt
+    let abvScore = 0.5;
+    if (beer.abv > 0 && candidate.abv > 0) {
+        abvScore = Math.max(0, 1 - Math.abs(beer.abv - candidate.abv) / UNTAPPD_ABV_TOLERANCE);
+    }
+    
+    return nameScore * UNTAPPD_MATCH_WEIGHTS.name +
+        breweryScore * UNTAPPD_MATCH_WEIGHTS.brewery +
+        abvScore * UNTAPPD_MATCH_WEIGHTS.abv;
+}
+
+function findBestUntappdMatch(beer, candidates) {
+    let best = null;
+    candidates.forEach(candidate => {
+        const score = scoreUntappdMatch(beer, candidate);
+        if (!best || score > best.score) best = { candidate, score };
+    });
+    return best && best.score >= UNTAPPD_MATCH_THRESHOLD ? best : null;
+}
+
+function parseUntappdBeerId(text) {
+    // Accepts a bare ID or any Untappd beer link (untappd.com/b/slug/123, /beer/123, /qr/beer/123)
+    const value = String(text || '').trim();
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    
+    const match = value.match(/untappd\.com\/(?:b\/[^/?#]+|beer|qr\/beer)\/(\d+)/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function getUntappdBeerUrl(bid) {
+    return `https://untappd.com/beer/${bid}`;
+}
+
+function getUntappdAppUrl(bid) {
+    // Opens the beer in the Untappd app, one tap from checking in
+    return `untappd://beer/${bid}`;
+}
+
+function getUntappdSearchUrl(beer) {
+    return `https://untappd.com/search?q=${encodeURIComponent(`${beer.brewery} ${beer.beer}`)}`;
+}
+
+class UntappdApiSource {
+    constructor(config = {}) {
+        // The Edge Function in supabase/functions/untappd adds the API key server-side
+        this.proxyUrl = config.proxyUrl;
+        this.anonKey = config.anonKey;
+        this.nextRequestAt = 0;
+    }
+    
+    async request(path, params = {}) {
+        // Space requests out to stay inside the hourly limit
+        const wait = this.nextRequestAt - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.nextRequestAt = Date.now() + UNTAPPD_API_REQUEST_GAP_MS;
+        
+        const query = new URLSearchParams({ ...params, path });
+        const response = await fetch(`${this.proxyUrl}?${query}`, {
+            headers: { Authorization: `Bearer ${this.anonKey}`, apikey: this.anonKey }
+        });
+        // Someone has looked this up before, so it used none of the hourly limit - no need to wait
+        if (response.headers.get('x-untappd-cache') === 'hit') {
+            this.nextRequestAt = 0;
+        }
+        if (!response.ok) {
+            throw new Error(`Untappd request failed (${response.status})`);
+        }
+        
+        const data = await response.json();
+        return data.response;
+    }
+    
+    async search(query) {
+        const response = await this.request('search/beer', { q: query, limit: 10 });
+        return response.beers.items.map(item => ({
+            bid: item.beer.bid,
+            name: item.beer.beer_name,
+            brewery: item.brewery.brewery_name,
+            abv: item.beer.beer_abv,
+            style: item.beer.beer_style,
+            // Search results don't include ratings - getBeer() fills them in
+            rating: null,
+            ratingCount: null
+        }));
+    }
+    
+    async getBeer(bid) {
+        const { beer } = await this.request(`beer/info/${bid}`, { compact: 'true' });
+        return {
+            bid: beer.bid,
+            name: beer.beer_name,
+            brewery: beer.brewery.brewery_name,
+            abv: beer.beer_abv,
+            style: beer.beer_style,
+            rating: beer.rating_score || null,
+            ratingCount: beer.rating_count || 0
+        };
+    }
+}
+
+class StubUntappdSource {
+    // Bundled data for trying matching out without the network or an API key (?untappd=stub)
+    constructor(beers = UNTAPPD_STUB_BEERS) {
+        this.beers = beers;
+    }
+    
+    async search(query) {
+        // Loose like the real search: anything sharing a word with the query
+        const words = normalizeUntappdText(query).split(' ');
+        return this.beers.filter(beer => {
+            const text = normalizeUntappdText(`${beer.brewery} ${beer.name}`).split(' ');
+            return words.some(word => text.includes(word));
+        });
+    }
+    
+    async getBeer(bid) {
+        return this.beers.find(beer => beer.bid === bid) || null;
+    }
+}
+
+function createUntappdSource(type, config = {}) {
+    if (type === 'stub') return new StubUntappdSource();
+    if (type === 'api' && config.proxyUrl) return new UntappdApiSource(config);
+    return null;
+}
+
+// Made-up IDs and ratings, with near misses to check the matcher picks the right one
+const UNTAPPD_STUB_BEERS = [
+    { bid: 11001, name: 'Citra', brewery: 'Oakham Ales', abv: 4.2, style: 'Pale Ale - English', rating: 3.78, ratingCount: 25410 },
+    { bid: 11002, name: 'Citra Double IPA', brewery: 'Oakham Ales', abv: 8.0, style: 'IPA - Imperial / Double', rating: 3.91, ratingCount: 2310 },
+    { bid: 11003, name: 'Green Devil', brewery: 'Oakham Ales', abv: 6.0, style: 'IPA - English', rating: 3.86, ratingCount: 18022 },
+    { bid: 11010, name: 'Broadside', brewery: 'Adnams', abv: 4.7, style: 'Old Ale', rating: 3.52, ratingCount: 21877 },
+    { bid: 11011, name: 'Broadside Bottle Conditioned', brewery: 'Adnams', abv: 6.3, style: 'Old Ale', rating: 3.61, ratingCount: 1640 },
+    { bid: 11020, name: 'Black IPA', brewery: 'Colchester Brewery', abv: 6.0, style: 'IPA - Black / Cascadian Dark Ale', rating: 3.67, ratingCount: 412 },
+    { bid: 11030, name: 'Oscar Wilde', brewery: 'Mighty Oak Brewing Co', abv: 3.7, style: 'Mild - Dark', rating: 3.61, ratingCount: 3950 },
+    { bid: 11031, name: 'Maldon Gold', brewery: 'Mighty Oak Brewing Co', abv: 3.8, style: 'Golden Ale', rating: 3.55, ratingCount: 2870 },
+    { bid: 11040, name: 'Brewers Gold', brewery: 'Crouch Vale Brewery', abv: 4.0, style: 'Pale Ale - English', rating: 3.74, ratingCount: 14230 },
+    { bid: 11041, name: 'Brewers Gold Extra', brewery: 'Crouch Vale Brewery', abv: 5.2, style: 'Golden Ale', rating: 3.80, ratingCount: 1980 },
+    { bid: 11050, name: 'Old Rosie', brewery: 'Westons Cider', abv: 7.3, style: 'Cider - Traditional / Apfelwein', rating: 3.58, ratingCount: 16544 },
+    { bid: 11060, name: 'Hophead', brewery: 'Dark Star Brewing Co', abv: 3.8, style: 'Golden Ale', rating: 3.77, ratingCount: 22015 }
+];